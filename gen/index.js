@@ -2,12 +2,14 @@ import { storeGetStructure } from "@compas/store";
 import {
   authPermissions,
   extendWithAuthAnonymousBased,
+  extendWithAuthMagicLinkBased,
   extendWithAuthPasswordBased,
   extendWithAuthPermission,
   extendWithAuthTotpProvider,
   extendWithBackendBase,
   extendWithFeatureFlag,
   extendWithManagement,
+  extendWithTenantData,
 } from "@lightbasenl/backend";
 import { featureFlagDefinition, permissions } from "../src/constants.js";
 import { extendWithAuthCustom } from "./auth.js";
@@ -32,6 +34,9 @@ export function extendWithCompasPackages(generator) {
  */
 export async function extendWithBackend(generator) {
   await extendWithBackendBase(generator);
+  await extendWithTenantData(generator, {
+    fields: {},
+  });
   await extendWithFeatureFlag(generator, {
     flagDefinition: featureFlagDefinition,
   });
@@ -45,6 +50,7 @@ export async function extendWithBackend(generator) {
   });
 
   await extendWithAuthAnonymousBased(generator);
+  await extendWithAuthMagicLinkBased(generator);
   await extendWithAuthPasswordBased(generator);
   await extendWithAuthTotpProvider(generator);
   await extendWithManagement(generator);
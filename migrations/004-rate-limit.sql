@@ -0,0 +1,10 @@
+-- Shared rate limit state for all backend instances. Rows are short-lived, so skip the
+-- WAL overhead.
+CREATE UNLOGGED TABLE "rateLimit"
+(
+  "key"       varchar PRIMARY KEY NOT NULL,
+  "points"    int                 NOT NULL,
+  "expiresAt" timestamptz         NOT NULL
+);
+
+CREATE INDEX "rateLimitExpiresAtIdx" ON "rateLimit" ("expiresAt");
@@ -0,0 +1,2 @@
+ALTER TABLE "featureFlag"
+  ADD COLUMN "rollout" jsonb NULL;
@@ -0,0 +1,20 @@
+CREATE TABLE "featureFlagChange"
+(
+  "id"               uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  "featureFlag"      uuid             NOT NULL,
+  "user"             uuid             NULL,
+  "impersonatorUser" uuid             NULL,
+  "userName"         varchar          NULL,
+  "previousState"    jsonb            NOT NULL,
+  "newState"         jsonb            NOT NULL,
+  "createdAt"        timestamptz      NOT NULL DEFAULT now(),
+  "updatedAt"        timestamptz      NOT NULL DEFAULT now(),
+  CONSTRAINT "featureFlagChangeFeatureFlagFk" FOREIGN KEY ("featureFlag") REFERENCES "featureFlag" ("id") ON DELETE CASCADE,
+  CONSTRAINT "featureFlagChangeUserFk" FOREIGN KEY ("user") REFERENCES "user" ("id") ON DELETE SET NULL,
+  CONSTRAINT "featureFlagChangeImpersonatorUserFk" FOREIGN KEY ("impersonatorUser") REFERENCES "user" ("id") ON DELETE SET NULL
+);
+
+CREATE INDEX "featureFlagChangeDatesIdx" ON "featureFlagChange" ("createdAt", "updatedAt");
+CREATE INDEX "featureFlagChangeFeatureFlagIdx" ON "featureFlagChange" ("featureFlag");
+CREATE INDEX "featureFlagChangeUserIdx" ON "featureFlagChange" ("user");
+CREATE INDEX "featureFlagChangeImpersonatorUserIdx" ON "featureFlagChange" ("impersonatorUser");
@@ -0,0 +1,6 @@
+ALTER TABLE "featureFlag"
+  ADD COLUMN "type" varchar NOT NULL DEFAULT 'boolean';
+
+ALTER TABLE "featureFlag"
+  ALTER COLUMN "globalValue" DROP DEFAULT,
+  ALTER COLUMN "globalValue" TYPE jsonb USING to_jsonb("globalValue");
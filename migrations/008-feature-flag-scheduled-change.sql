@@ -0,0 +1,20 @@
+CREATE TABLE "featureFlagScheduledChange"
+(
+  "id"           uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  "featureFlag"  uuid             NOT NULL,
+  "user"         uuid             NULL,
+  "userName"     varchar          NULL,
+  "globalValue"  jsonb            NULL,
+  "tenantValues" jsonb            NULL,
+  "scheduledAt"  timestamptz      NOT NULL,
+  "appliedAt"    timestamptz      NULL,
+  "createdAt"    timestamptz      NOT NULL DEFAULT now(),
+  "updatedAt"    timestamptz      NOT NULL DEFAULT now(),
+  CONSTRAINT "featureFlagScheduledChangeFeatureFlagFk" FOREIGN KEY ("featureFlag") REFERENCES "featureFlag" ("id") ON DELETE CASCADE,
+  CONSTRAINT "featureFlagScheduledChangeUserFk" FOREIGN KEY ("user") REFERENCES "user" ("id") ON DELETE SET NULL
+);
+
+CREATE INDEX "featureFlagScheduledChangeDatesIdx" ON "featureFlagScheduledChange" ("createdAt", "updatedAt");
+CREATE INDEX "featureFlagScheduledChangeFeatureFlagIdx" ON "featureFlagScheduledChange" ("featureFlag");
+CREATE INDEX "featureFlagScheduledChangeUserIdx" ON "featureFlagScheduledChange" ("user");
+CREATE INDEX "featureFlagScheduledChangeScheduledAtIdx" ON "featureFlagScheduledChange" ("scheduledAt") WHERE "appliedAt" IS NULL;
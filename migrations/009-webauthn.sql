@@ -0,0 +1,37 @@
+CREATE TABLE "webauthnCredential"
+(
+  "id"           uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  "user"         uuid             NOT NULL,
+  "credentialId" varchar          NOT NULL,
+  "publicKey"    varchar          NOT NULL,
+  "counter"      int              NOT NULL,
+  "transports"   jsonb            NOT NULL,
+  "deviceType"   varchar          NOT NULL,
+  "isBackedUp"   boolean          NOT NULL,
+  "name"         varchar          NULL,
+  "lastUsedAt"   timestamptz      NULL,
+  "createdAt"    timestamptz      NOT NULL DEFAULT now(),
+  "updatedAt"    timestamptz      NOT NULL DEFAULT now(),
+  CONSTRAINT "webauthnCredentialUserFk" FOREIGN KEY ("user") REFERENCES "user" ("id") ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX "webauthnCredentialCredentialIdUniqIdx" ON "webauthnCredential" ("credentialId");
+CREATE INDEX "webauthnCredentialDatesIdx" ON "webauthnCredential" ("createdAt", "updatedAt");
+CREATE INDEX "webauthnCredentialUserIdx" ON "webauthnCredential" ("user");
+
+CREATE TABLE "webauthnChallenge"
+(
+  "id"        uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  "user"      uuid             NULL,
+  "challenge" varchar          NOT NULL,
+  "type"      varchar          NOT NULL,
+  "expiresAt" timestamptz      NOT NULL,
+  "createdAt" timestamptz      NOT NULL DEFAULT now(),
+  "updatedAt" timestamptz      NOT NULL DEFAULT now(),
+  CONSTRAINT "webauthnChallengeUserFk" FOREIGN KEY ("user") REFERENCES "user" ("id") ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX "webauthnChallengeChallengeUniqIdx" ON "webauthnChallenge" ("challenge");
+CREATE INDEX "webauthnChallengeDatesIdx" ON "webauthnChallenge" ("createdAt", "updatedAt");
+CREATE INDEX "webauthnChallengeExpiresAtIdx" ON "webauthnChallenge" ("expiresAt");
+CREATE INDEX "webauthnChallengeUserIdx" ON "webauthnChallenge" ("user");
@@ -0,0 +1,32 @@
+CREATE TABLE "oidcLogin"
+(
+  "id"        uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  "user"      uuid             NOT NULL,
+  "issuer"    varchar          NOT NULL,
+  "subject"   varchar          NULL,
+  "email"     varchar          NULL,
+  "createdAt" timestamptz      NOT NULL DEFAULT now(),
+  "updatedAt" timestamptz      NOT NULL DEFAULT now(),
+  CONSTRAINT "oidcLoginUserFk" FOREIGN KEY ("user") REFERENCES "user" ("id") ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX "oidcLoginIssuerSubjectUniqIdx" ON "oidcLogin" ("issuer", "subject");
+CREATE UNIQUE INDEX "oidcLoginUserIssuerUniqIdx" ON "oidcLogin" ("user", "issuer");
+CREATE INDEX "oidcLoginDatesIdx" ON "oidcLogin" ("createdAt", "updatedAt");
+CREATE INDEX "oidcLoginEmailIdx" ON "oidcLogin" ("email");
+
+CREATE TABLE "oidcLoginRequest"
+(
+  "id"           uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  "state"        varchar          NOT NULL,
+  "nonce"        varchar          NOT NULL,
+  "codeVerifier" varchar          NOT NULL,
+  "issuer"       varchar          NOT NULL,
+  "expiresAt"    timestamptz      NOT NULL,
+  "createdAt"    timestamptz      NOT NULL DEFAULT now(),
+  "updatedAt"    timestamptz      NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX "oidcLoginRequestStateUniqIdx" ON "oidcLoginRequest" ("state");
+CREATE INDEX "oidcLoginRequestDatesIdx" ON "oidcLoginRequest" ("createdAt", "updatedAt");
+CREATE INDEX "oidcLoginRequestExpiresAtIdx" ON "oidcLoginRequest" ("expiresAt");
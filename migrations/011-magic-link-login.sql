@@ -0,0 +1,29 @@
+CREATE TABLE "magicLinkLogin"
+(
+  "id"        uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  "user"      uuid             NOT NULL,
+  "email"     varchar          NOT NULL,
+  "createdAt" timestamptz      NOT NULL DEFAULT now(),
+  "updatedAt" timestamptz      NOT NULL DEFAULT now(),
+  CONSTRAINT "magicLinkLoginUserFk" FOREIGN KEY ("user") REFERENCES "user" ("id") ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX "magicLinkLoginUserUniqIdx" ON "magicLinkLogin" ("user");
+CREATE INDEX "magicLinkLoginDatesIdx" ON "magicLinkLogin" ("createdAt", "updatedAt");
+CREATE INDEX "magicLinkLoginEmailIdx" ON "magicLinkLogin" ("email");
+
+CREATE TABLE "magicLinkToken"
+(
+  "id"        uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  "login"     uuid             NOT NULL,
+  "token"     varchar          NOT NULL,
+  "expiresAt" timestamptz      NOT NULL,
+  "createdAt" timestamptz      NOT NULL DEFAULT now(),
+  "updatedAt" timestamptz      NOT NULL DEFAULT now(),
+  CONSTRAINT "magicLinkTokenLoginFk" FOREIGN KEY ("login") REFERENCES "magicLinkLogin" ("id") ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX "magicLinkTokenTokenUniqIdx" ON "magicLinkToken" ("token");
+CREATE INDEX "magicLinkTokenDatesIdx" ON "magicLinkToken" ("createdAt", "updatedAt");
+CREATE INDEX "magicLinkTokenExpiresAtIdx" ON "magicLinkToken" ("expiresAt");
+CREATE INDEX "magicLinkTokenLoginIdx" ON "magicLinkToken" ("login");
@@ -0,0 +1,14 @@
+CREATE TABLE "totpRecoveryCode"
+(
+  "id"           uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  "totpSettings" uuid             NOT NULL,
+  "code"         varchar          NOT NULL,
+  "usedAt"       timestamptz      NULL,
+  "createdAt"    timestamptz      NOT NULL DEFAULT now(),
+  "updatedAt"    timestamptz      NOT NULL DEFAULT now(),
+  CONSTRAINT "totpRecoveryCodeTotpSettingsFk" FOREIGN KEY ("totpSettings") REFERENCES "totpSettings" ("id") ON DELETE CASCADE
+);
+
+CREATE INDEX "totpRecoveryCodeDatesIdx" ON "totpRecoveryCode" ("createdAt", "updatedAt");
+CREATE INDEX "totpRecoveryCodeTotpSettingsIdx" ON "totpRecoveryCode" ("totpSettings");
+CREATE INDEX "totpRecoveryCodeUsedAtIdx" ON "totpRecoveryCode" ("usedAt");
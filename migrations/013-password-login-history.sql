@@ -0,0 +1,12 @@
+CREATE TABLE "passwordLoginHistory"
+(
+  "id"            uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  "passwordLogin" uuid             NOT NULL,
+  "password"      varchar          NOT NULL,
+  "createdAt"     timestamptz      NOT NULL DEFAULT now(),
+  "updatedAt"     timestamptz      NOT NULL DEFAULT now(),
+  CONSTRAINT "passwordLoginHistoryPasswordLoginFk" FOREIGN KEY ("passwordLogin") REFERENCES "passwordLogin" ("id") ON DELETE CASCADE
+);
+
+CREATE INDEX "passwordLoginHistoryDatesIdx" ON "passwordLoginHistory" ("createdAt", "updatedAt");
+CREATE INDEX "passwordLoginHistoryPasswordLoginIdx" ON "passwordLoginHistory" ("passwordLogin");
@@ -0,0 +1,5 @@
+ALTER TABLE "passwordLogin"
+  ADD COLUMN "lockedUntil" timestamptz NULL,
+  ADD COLUMN "lockCount"   int         NOT NULL DEFAULT 0;
+
+CREATE INDEX "passwordLoginAttemptDatesIdx" ON "passwordLoginAttempt" ("createdAt", "updatedAt");
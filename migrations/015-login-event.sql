@@ -0,0 +1,24 @@
+CREATE TABLE "loginEvent"
+(
+  "id"             uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  "user"           uuid             NOT NULL,
+  "tenant"         uuid             NOT NULL,
+  "loginType"      varchar          NOT NULL,
+  "twoStepType"    varchar          NULL,
+  "isSuccessful"   boolean          NOT NULL,
+  "failureReason"  varchar          NULL,
+  "ip"             varchar          NULL,
+  "ipRange"        varchar          NULL,
+  "userAgent"      varchar          NULL,
+  "devicePlatform" varchar          NULL,
+  "deviceName"     varchar          NULL,
+  "isUnrecognized" boolean          NOT NULL,
+  "createdAt"      timestamptz      NOT NULL DEFAULT now(),
+  "updatedAt"      timestamptz      NOT NULL DEFAULT now(),
+  CONSTRAINT "loginEventUserFk" FOREIGN KEY ("user") REFERENCES "user" ("id") ON DELETE CASCADE,
+  CONSTRAINT "loginEventTenantFk" FOREIGN KEY ("tenant") REFERENCES "tenant" ("id") ON DELETE CASCADE
+);
+
+CREATE INDEX "loginEventDatesIdx" ON "loginEvent" ("createdAt", "updatedAt");
+CREATE INDEX "loginEventUserIdx" ON "loginEvent" ("user");
+CREATE INDEX "loginEventTenantIdx" ON "loginEvent" ("tenant");
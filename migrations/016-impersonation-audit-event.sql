@@ -0,0 +1,24 @@
+CREATE TABLE "impersonationAuditEvent"
+(
+  "id"                   uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  "sessionId"            uuid             NOT NULL,
+  "user"                 uuid             NOT NULL,
+  "impersonatorUser"     uuid             NULL,
+  "impersonatorUserName" varchar          NULL,
+  "type"                 varchar          NOT NULL,
+  "reason"               varchar          NULL,
+  "expiresAt"            timestamptz      NULL,
+  "isReadOnly"           boolean          NULL,
+  "method"               varchar          NULL,
+  "path"                 varchar          NULL,
+  "isBlocked"            boolean          NULL,
+  "createdAt"            timestamptz      NOT NULL DEFAULT now(),
+  "updatedAt"            timestamptz      NOT NULL DEFAULT now(),
+  CONSTRAINT "impersonationAuditEventUserFk" FOREIGN KEY ("user") REFERENCES "user" ("id") ON DELETE CASCADE,
+  CONSTRAINT "impersonationAuditEventImpersonatorUserFk" FOREIGN KEY ("impersonatorUser") REFERENCES "user" ("id") ON DELETE SET NULL
+);
+
+CREATE INDEX "impersonationAuditEventDatesIdx" ON "impersonationAuditEvent" ("createdAt", "updatedAt");
+CREATE INDEX "impersonationAuditEventSessionIdIdx" ON "impersonationAuditEvent" ("sessionId");
+CREATE INDEX "impersonationAuditEventUserIdx" ON "impersonationAuditEvent" ("user");
+CREATE INDEX "impersonationAuditEventImpersonatorUserIdx" ON "impersonationAuditEvent" ("impersonatorUser");
@@ -0,0 +1,3 @@
+ALTER TABLE "tenant"
+  ADD COLUMN "urlConfig" jsonb   NOT NULL DEFAULT '{}',
+  ADD COLUMN "isManaged" boolean NOT NULL DEFAULT FALSE;
@@ -0,0 +1,2 @@
+ALTER TABLE "tenant"
+  ADD COLUMN "status" varchar NOT NULL DEFAULT 'active';
@@ -0,0 +1,16 @@
+CREATE TABLE "tenantDomain"
+(
+  "id"                 uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  "tenant"             uuid             NOT NULL,
+  "origin"             varchar          NOT NULL,
+  "verificationMethod" varchar          NOT NULL,
+  "verificationToken"  varchar          NOT NULL,
+  "verifiedAt"         timestamptz      NULL,
+  "createdAt"          timestamptz      NOT NULL DEFAULT now(),
+  "updatedAt"          timestamptz      NOT NULL DEFAULT now(),
+  CONSTRAINT "tenantDomainTenantFk" FOREIGN KEY ("tenant") REFERENCES "tenant" ("id") ON DELETE CASCADE
+);
+
+CREATE INDEX "tenantDomainDatesIdx" ON "tenantDomain" ("createdAt", "updatedAt");
+CREATE UNIQUE INDEX "tenantDomainOriginIdx" ON "tenantDomain" ("origin");
+CREATE INDEX "tenantDomainTenantIdx" ON "tenantDomain" ("tenant");
@@ -0,0 +1,5 @@
+ALTER TABLE "featureFlagScheduledChange"
+  ADD COLUMN "impersonatorUser" uuid NULL,
+  ADD CONSTRAINT "featureFlagScheduledChangeImpersonatorUserFk" FOREIGN KEY ("impersonatorUser") REFERENCES "user" ("id") ON DELETE SET NULL;
+
+CREATE INDEX "featureFlagScheduledChangeImpersonatorUserIdx" ON "featureFlagScheduledChange" ("impersonatorUser");
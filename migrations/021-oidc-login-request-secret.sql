@@ -0,0 +1,6 @@
+-- Login requests are short-lived, requests without a secret can't be used anymore.
+DELETE
+FROM "oidcLoginRequest";
+
+ALTER TABLE "oidcLoginRequest"
+  ADD COLUMN "secretHash" varchar NOT NULL;
@@ -0,0 +1,39 @@
+-- Public urls are the keys of "tenant"."urlConfig", and should be unique across tenants.
+-- This table is maintained by the trigger below, so the uniqueness is checked by the
+-- primary key. It has no foreign key to "tenant", so row level security doesn't apply;
+-- the rows are removed by the trigger instead. The key is deferrable, so the tenant
+-- config sync can move a public url between tenants in a single transaction.
+CREATE TABLE "tenantPublicUrl"
+(
+  "publicUrl" varchar NOT NULL,
+  "tenant"    uuid    NOT NULL,
+  CONSTRAINT "tenantPublicUrlPkey" PRIMARY KEY ("publicUrl") DEFERRABLE INITIALLY IMMEDIATE
+);
+
+CREATE INDEX "tenantPublicUrlTenantIdx" ON "tenantPublicUrl" ("tenant");
+
+CREATE FUNCTION "tenantPublicUrlSync"() RETURNS trigger AS
+$$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    DELETE FROM "tenantPublicUrl" WHERE "tenant" = OLD."id";
+  END IF;
+
+  IF TG_OP <> 'DELETE' THEN
+    INSERT INTO "tenantPublicUrl" ("publicUrl", "tenant")
+    SELECT jsonb_object_keys(NEW."urlConfig"), NEW."id";
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "tenantPublicUrlSync"
+  AFTER INSERT OR UPDATE OF "urlConfig" OR DELETE
+  ON "tenant"
+  FOR EACH ROW
+EXECUTE FUNCTION "tenantPublicUrlSync"();
+
+INSERT INTO "tenantPublicUrl" ("publicUrl", "tenant")
+SELECT jsonb_object_keys("urlConfig"), "id"
+FROM "tenant";
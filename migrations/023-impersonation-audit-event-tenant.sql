@@ -0,0 +1,13 @@
+-- Existing events are assigned to the tenant of the user, if the user has a single tenant.
+-- Other events don't have a tenant and are not listed in the impersonation history.
+ALTER TABLE "impersonationAuditEvent"
+  ADD COLUMN "tenant" uuid NULL,
+  ADD CONSTRAINT "impersonationAuditEventTenantFk" FOREIGN KEY ("tenant") REFERENCES "tenant" ("id") ON DELETE CASCADE;
+
+CREATE INDEX "impersonationAuditEventTenantIdx" ON "impersonationAuditEvent" ("tenant");
+
+UPDATE "impersonationAuditEvent" iae
+SET "tenant" = ut."tenant"
+FROM "userTenant" ut
+WHERE ut."user" = iae."user"
+  AND (SELECT count(*) FROM "userTenant" ut2 WHERE ut2."user" = iae."user") = 1;
@@ -13,17 +13,30 @@ import {
 import {
   authEventNames,
   authJobNames,
+  authPasswordBasedCleanupLoginAttempts,
   authPasswordBasedInvalidateResetTokens,
+  featureFlagApplyScheduledChanges,
   managementInvalidateUsers,
+  multitenantDeleteTenant,
+  multitenantJobNames,
+  notificationDeliver,
+  notificationFanOut,
+  notificationJobNames,
+  rateLimitCleanup,
 } from "@lightbasenl/backend";
 import {
   authAnonymousBasedUserRegisteredEvent,
+  authMagicLinkBasedLinkRequestedEvent,
+  authPasswordBasedAccountLockedEvent,
+  authPasswordBasedAccountUnlockedEvent,
   authPasswordBasedEmailUpdatedEvent,
   authPasswordBasedForgotPasswordEvent,
   authPasswordBasedLoginVerifiedEvent,
   authPasswordBasedPasswordResetEvent,
   authPasswordBasedPasswordUpdatedEvent,
   authPasswordBasedUserRegisteredEvent,
+  authTotpProviderRecoveryCodeUsedEvent,
+  authUserNewLoginEvent,
 } from "../src/auth/jobs.js";
 import { injectServices } from "../src/service.js";
 import { serviceLogger } from "../src/services/logger.js";
@@ -63,11 +76,26 @@ async function main() {
         name: authJobNames.authPasswordBasedInvalidateResetTokens,
         cronExpression: "0 */2 * * *",
       },
+      {
+        // Daily at 3 AM UTC
+        name: authJobNames.authPasswordBasedCleanupLoginAttempts,
+        cronExpression: "0 3 * * *",
+      },
       {
         // Every night a bit after 2 AM
         name: "backendManagement.invalidateUsers",
         cronExpression: "2 2 * * *",
       },
+      {
+        // Hourly at the 5th minute
+        name: "backendRateLimit.cleanup",
+        cronExpression: "5 * * * *",
+      },
+      {
+        // Every minute
+        name: "backendFeatureFlag.applyScheduledChanges",
+        cronExpression: "* * * * *",
+      },
     ],
   });
 
@@ -91,8 +119,11 @@ async function main() {
         jobSessionStoreProcessLeakedSession({}),
 
       // @lightbasenl/backend
+      [authEventNames.authUserNewLogin]: authUserNewLoginEvent,
       [authEventNames.authAnonymousBasedUserRegistered]:
         authAnonymousBasedUserRegisteredEvent,
+      [authEventNames.authMagicLinkBasedLinkRequested]:
+        authMagicLinkBasedLinkRequestedEvent,
       [authEventNames.authPasswordBasedUserRegistered]:
         authPasswordBasedUserRegisteredEvent,
       [authEventNames.authPasswordBasedForgotPassword]:
@@ -105,9 +136,23 @@ async function main() {
         authPasswordBasedLoginVerifiedEvent,
       [authEventNames.authPasswordBasedPasswordReset]:
         authPasswordBasedPasswordResetEvent,
+      [authEventNames.authPasswordBasedAccountLocked]:
+        authPasswordBasedAccountLockedEvent,
+      [authEventNames.authPasswordBasedAccountUnlocked]:
+        authPasswordBasedAccountUnlockedEvent,
+      [authEventNames.authTotpProviderRecoveryCodeUsed]:
+        authTotpProviderRecoveryCodeUsedEvent,
       [authJobNames.authPasswordBasedInvalidateResetTokens]:
         authPasswordBasedInvalidateResetTokens,
+      [authJobNames.authPasswordBasedCleanupLoginAttempts]:
+        authPasswordBasedCleanupLoginAttempts,
+      [notificationJobNames.notificationFanOut]: notificationFanOut,
+      [notificationJobNames.notificationDeliver]: notificationDeliver,
       "backendManagement.invalidateUsers": managementInvalidateUsers,
+      [multitenantJobNames.multitenantDeleteTenant]: multitenantDeleteTenant,
+      "backendRateLimit.cleanup": rateLimitCleanup,
+      "backendFeatureFlag.applyScheduledChanges":
+        featureFlagApplyScheduledChanges,
     },
     parallelCount: workerCount,
     deleteJobOnCompletion: true,
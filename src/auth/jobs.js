@@ -1,6 +1,8 @@
 /* eslint-disable @compas/enforce-event-stop */
-import { eventStart, eventStop } from "@compas/stdlib";
+import { eventStart, eventStop, newEventFromEvent } from "@compas/stdlib";
+import { queryLoginEvent } from "../generated/application/database/loginEvent.js";
 import { queryUser } from "../generated/application/database/user.js";
+import { mailSendGeneric } from "../mail/events.js";
 
 /**
  * Job(event):
@@ -42,6 +44,89 @@ export async function authAnonymousBasedUserRegisteredEvent(
   eventStop(event);
 }
 
+/**
+ * Job(event):
+ * https://github.com/lightbasenl/platform-components/tree/main/packages/backend#authentication-providers
+ *
+ * @param {InsightEvent} event
+ * @param {Postgres} sql
+ * @param {{ data: AuthMagicLinkBasedLinkRequestedEventData }} job
+ * @returns {Promise<void>}
+ */
+export async function authMagicLinkBasedLinkRequestedEvent(
+  event,
+  sql,
+  { data },
+) {
+  eventStart(event, "auth.magicLinkBasedLinkRequestedEvent");
+
+  const [user] = await queryUser({
+    where: {
+      viaMagicLinkLogin: {
+        where: {
+          id: data.magicLinkLoginId,
+          viaTokens: {
+            where: {
+              id: data.magicLinkTokenId,
+            },
+          },
+        },
+      },
+    },
+    magicLinkLogin: {
+      tokens: {
+        where: {
+          id: data.magicLinkTokenId,
+        },
+      },
+    },
+  }).exec(sql);
+
+  if (!user) {
+    // User is probably removed, or the token is already used
+    eventStop(event);
+    return;
+  }
+
+  // @ts-expect-error
+  const { email, tokens } = user.magicLinkLogin;
+
+  // The max age of the token is configurable, so derive it from the token itself.
+  const validForInMinutes = Math.round(
+    (new Date(tokens[0].expiresAt).getTime() -
+      new Date(tokens[0].createdAt).getTime()) /
+      60000,
+  );
+  let validFor = `${validForInMinutes} minuten`;
+  if (validForInMinutes % 60 === 0) {
+    validFor = `${validForInMinutes / 60} uur`;
+  } else if (validForInMinutes === 1) {
+    validFor = "1 minuut";
+  }
+
+  await mailSendGeneric(newEventFromEvent(event), email, {
+    mail: {
+      subject: "Inloggen",
+      content: [
+        {
+          type: "line",
+          content: `Gebruik de onderstaande knop om in te loggen. De link is ${validFor} geldig en kan één keer gebruikt worden.`,
+        },
+        {
+          type: "button",
+          label: "Inloggen",
+          url: `${data.metadata.tenant.publicUrl}/magic-link?token=${tokens[0].token}`,
+        },
+      ],
+    },
+    urls: {
+      publicUrl: data.metadata.tenant.publicUrl,
+    },
+  });
+
+  eventStop(event);
+}
+
 /**
  * Job(event):
  * https://github.com/lightbasenl/platform-components/tree/main/packages/backend#authentication-providers
@@ -315,3 +400,232 @@ export async function authPasswordBasedPasswordResetEvent(
 
   eventStop(event);
 }
+
+/**
+ * Job(event):
+ * https://github.com/lightbasenl/platform-components/tree/main/packages/backend#authentication-providers
+ *
+ * @param {InsightEvent} event
+ * @param {Postgres} sql
+ * @param {{ data: AuthTotpProviderRecoveryCodeUsedEventData }} job
+ * @returns {Promise<void>}
+ */
+export async function authTotpProviderRecoveryCodeUsedEvent(
+  event,
+  sql,
+  { data },
+) {
+  eventStart(event, "auth.totpProviderRecoveryCodeUsedEvent");
+
+  const [user] = await queryUser({
+    where: {
+      id: data.userId,
+    },
+    magicLinkLogin: {},
+    passwordLogin: {},
+  }).exec(sql);
+
+  const email = user?.passwordLogin?.email ?? user?.magicLinkLogin?.email;
+
+  if (!email) {
+    // User is probably removed, or doesn't have a known email
+    eventStop(event);
+    return;
+  }
+
+  await mailSendGeneric(newEventFromEvent(event), email, {
+    mail: {
+      subject: "Herstelcode gebruikt",
+      content: [
+        {
+          type: "line",
+          content:
+            "Er is zojuist ingelogd met een van je herstelcodes voor tweestapsverificatie. Was jij dit niet? Wijzig dan direct je wachtwoord en neem contact met ons op.",
+        },
+        {
+          type: "line",
+          content: `Je hebt nog ${data.recoveryCodesRemaining} ongebruikte herstelcodes. Genereer nieuwe herstelcodes als je er bijna geen meer over hebt.`,
+        },
+      ],
+    },
+    urls: {
+      publicUrl: data.metadata.tenant.publicUrl,
+    },
+  });
+
+  eventStop(event);
+}
+
+/**
+ * Job(event):
+ * https://github.com/lightbasenl/platform-components/tree/main/packages/backend#authentication-providers
+ *
+ * @param {InsightEvent} event
+ * @param {Postgres} sql
+ * @param {{ data: AuthPasswordBasedAccountLockedEventData }} job
+ * @returns {Promise<void>}
+ */
+export async function authPasswordBasedAccountLockedEvent(
+  event,
+  sql,
+  { data },
+) {
+  eventStart(event, "auth.passwordBasedAccountLockedEvent");
+
+  const [user] = await queryUser({
+    where: {
+      viaPasswordLogin: {
+        where: {
+          id: data.passwordLoginId,
+        },
+      },
+    },
+    passwordLogin: {},
+  }).exec(sql);
+
+  if (!user?.passwordLogin) {
+    // User is probably removed
+    eventStop(event);
+    return;
+  }
+
+  const lockedUntil = new Date(data.lockedUntil).toLocaleString("nl-NL", {
+    timeZone: "Europe/Amsterdam",
+    dateStyle: "long",
+    timeStyle: "short",
+  });
+
+  await mailSendGeneric(newEventFromEvent(event), user.passwordLogin.email, {
+    mail: {
+      subject: "Account tijdelijk geblokkeerd",
+      content: [
+        {
+          type: "line",
+          content: `Er is te vaak geprobeerd in te loggen met een onjuist wachtwoord. Je account is daarom geblokkeerd tot ${lockedUntil}.`,
+        },
+        {
+          type: "line",
+          content:
+            "Was jij dit niet? Wijzig dan na het verlopen van de blokkade direct je wachtwoord en neem contact met ons op.",
+        },
+      ],
+    },
+    urls: {
+      publicUrl: data.metadata.tenant.publicUrl,
+    },
+  });
+
+  eventStop(event);
+}
+
+/**
+ * Job(event):
+ * https://github.com/lightbasenl/platform-components/tree/main/packages/backend#authentication-providers
+ *
+ * @param {InsightEvent} event
+ * @param {Postgres} sql
+ * @param {{ data: AuthPasswordBasedAccountUnlockedEventData }} job
+ * @returns {Promise<void>}
+ */
+export async function authPasswordBasedAccountUnlockedEvent(
+  event,
+  sql,
+  { data },
+) {
+  eventStart(event, "auth.passwordBasedAccountUnlockedEvent");
+
+  const [user] = await queryUser({
+    where: {
+      viaPasswordLogin: {
+        where: {
+          id: data.passwordLoginId,
+        },
+      },
+    },
+    passwordLogin: {},
+  }).exec(sql);
+
+  if (!user?.passwordLogin) {
+    // User is probably removed
+    eventStop(event);
+    return;
+  }
+
+  await mailSendGeneric(newEventFromEvent(event), user.passwordLogin.email, {
+    mail: {
+      subject: "Account gedeblokkeerd",
+      content: [
+        {
+          type: "line",
+          content:
+            "De blokkade van je account is opgeheven. Je kunt weer inloggen met je e-mailadres en wachtwoord.",
+        },
+      ],
+    },
+    urls: {
+      publicUrl: data.metadata.tenant.publicUrl,
+    },
+  });
+
+  eventStop(event);
+}
+
+/**
+ * Job(event):
+ * https://github.com/lightbasenl/platform-components/tree/main/packages/backend#login-history
+ *
+ * @param {InsightEvent} event
+ * @param {Postgres} sql
+ * @param {{ data: AuthUserNewLoginEventData }} job
+ * @returns {Promise<void>}
+ */
+export async function authUserNewLoginEvent(event, sql, { data }) {
+  eventStart(event, "auth.userNewLoginEvent");
+
+  const [user] = await queryUser({
+    where: {
+      id: data.userId,
+    },
+    magicLinkLogin: {},
+    passwordLogin: {},
+  }).exec(sql);
+  const [loginEvent] = await queryLoginEvent({
+    where: {
+      id: data.loginEventId,
+    },
+  }).exec(sql);
+
+  const email = user?.passwordLogin?.email ?? user?.magicLinkLogin?.email;
+
+  if (!email || !loginEvent) {
+    // User is probably removed, or doesn't have a known email
+    eventStop(event);
+    return;
+  }
+
+  const device = loginEvent.deviceName
+    ? `${loginEvent.deviceName} (${loginEvent.devicePlatform})`
+    : loginEvent.userAgent ?? "onbekend apparaat";
+
+  await mailSendGeneric(newEventFromEvent(event), email, {
+    mail: {
+      subject: "Nieuwe inlog op je account",
+      content: [
+        {
+          type: "line",
+          content: `Er is zojuist ingelogd op je account vanaf een nieuw apparaat of een nieuwe locatie: ${device}, IP-adres ${loginEvent.ip ?? "onbekend"}.`,
+        },
+        {
+          type: "line",
+          content:
+            "Was jij dit niet? Wijzig dan direct je wachtwoord en neem contact met ons op.",
+        },
+      ],
+    },
+    urls: {
+      publicUrl: data.metadata.tenant.publicUrl,
+    },
+  });
+
+  eventStop(event);
+}
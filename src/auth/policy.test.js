@@ -0,0 +1,127 @@
+import { mainTestFn, newTestEvent, test } from "@compas/cli";
+import { uuid } from "@compas/stdlib";
+import {
+  authPolicyOwnerOf,
+  authPolicyRoleInScope,
+  authPolicySameTenant,
+  authTestAssertPolicy,
+} from "@lightbasenl/backend";
+
+mainTestFn(import.meta);
+
+test("auth/policy", (t) => {
+  const tenant = { id: uuid() };
+  const otherTenant = { id: uuid() };
+
+  /**
+   * @param {string|null} tenantId
+   * @returns {any}
+   */
+  const role = (tenantId) => ({
+    role: {
+      id: uuid(),
+      identifier: "editor",
+      tenant: tenantId,
+      permissions: [],
+    },
+  });
+
+  const user = { id: uuid(), roles: [] };
+  const otherUser = { id: uuid(), roles: [] };
+
+  t.test("authPolicyOwnerOf", async (t) => {
+    const policy = authPolicyOwnerOf();
+
+    await authTestAssertPolicy(
+      newTestEvent(t),
+      policy,
+      { tenant, user, resource: { user: user.id } },
+      "allow",
+    );
+    await authTestAssertPolicy(
+      newTestEvent(t),
+      policy,
+      { tenant, user, resource: { user: otherUser.id } },
+      "deny",
+    );
+    await authTestAssertPolicy(
+      newTestEvent(t),
+      policy,
+      { tenant, user },
+      "deny",
+    );
+
+    t.pass();
+  });
+
+  t.test("authPolicySameTenant", async (t) => {
+    const policy = authPolicySameTenant();
+
+    await authTestAssertPolicy(
+      newTestEvent(t),
+      policy,
+      { tenant, user, resource: { tenant: tenant.id } },
+      "allow",
+    );
+    await authTestAssertPolicy(
+      newTestEvent(t),
+      policy,
+      { tenant, user, resource: { tenant: otherTenant.id } },
+      "deny",
+    );
+    await authTestAssertPolicy(
+      newTestEvent(t),
+      policy,
+      { tenant: undefined, user, resource: { tenant: tenant.id } },
+      "deny",
+    );
+
+    t.pass();
+  });
+
+  t.test("authPolicyRoleInScope", async (t) => {
+    const policy = authPolicyRoleInScope(["editor"]);
+
+    await authTestAssertPolicy(
+      newTestEvent(t),
+      policy,
+      { tenant, user: { ...user, roles: [role(tenant.id)] } },
+      "allow",
+    );
+    await authTestAssertPolicy(
+      newTestEvent(t),
+      policy,
+      { tenant, user: { ...user, roles: [role(null)] } },
+      "allow",
+    );
+    await authTestAssertPolicy(
+      newTestEvent(t),
+      policy,
+      { tenant, user: { ...user, roles: [role(otherTenant.id)] } },
+      "deny",
+    );
+    await authTestAssertPolicy(
+      newTestEvent(t),
+      policy,
+      { tenant, user },
+      "deny",
+    );
+
+    t.pass();
+  });
+
+  t.test("authTestAssertPolicy throws on an unexpected outcome", async (t) => {
+    try {
+      await authTestAssertPolicy(
+        newTestEvent(t),
+        authPolicyOwnerOf(),
+        { tenant, user, resource: { user: otherUser.id } },
+        "allow",
+      );
+      t.fail("Expected an error for the unexpected outcome.");
+    } catch (e) {
+      t.equal(e.key, "error.server.internal");
+      t.equal(e.info.policy, "ownerOf");
+    }
+  });
+});
@@ -5,6 +5,7 @@ import { authPermissions } from "@lightbasenl/backend";
  */
 export const featureFlagDefinition = {
   availableFlags: [],
+  typedFlags: {},
 };
 
 /**
@@ -0,0 +1,77 @@
+import { mainTestFn, newTestEvent, test } from "@compas/cli";
+import { uuid } from "@compas/stdlib";
+import { query } from "@compas/store";
+import {
+  multitenantSyncRowLevelSecurity,
+  multitenantSystemTransaction,
+  multitenantTestAssertRowLevelSecurity,
+  multitenantTransaction,
+} from "@lightbasenl/backend";
+import { sql } from "../services/postgres.js";
+
+mainTestFn(import.meta);
+
+test("multitenant/rls", (t) => {
+  t.test("multitenantTestAssertRowLevelSecurity", async (t) => {
+    const rollback = new Error("Rollback the test transaction.");
+
+    try {
+      await sql.begin(async (sql) => {
+        // The table, policies and role are removed again by the rollback.
+        await query`
+          CREATE TABLE "rlsTestItem"
+          (
+            "id"     uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+            "tenant" uuid             NOT NULL REFERENCES "tenant" ("id")
+          )
+        `.exec(sql);
+
+        const [tenant, otherTenant] = await query`
+          INSERT INTO "tenant" ("name", "data")
+          VALUES (${uuid()}, '{}'),
+                 (${uuid()}, '{}')
+          RETURNING *
+        `.exec(sql);
+
+        await query`
+          INSERT INTO "rlsTestItem" ("tenant")
+          VALUES (${tenant.id}),
+                 (${otherTenant.id})
+        `.exec(sql);
+
+        await multitenantSyncRowLevelSecurity(newTestEvent(t), sql, true);
+
+        // Superusers always bypass row level security.
+        const roleName = `rls_test_${uuid().replaceAll("-", "")}`;
+        await sql.unsafe(`CREATE ROLE "${roleName}" NOLOGIN`);
+        await sql.unsafe(`GRANT SELECT ON "rlsTestItem" TO "${roleName}"`);
+        await sql.unsafe(`SET LOCAL ROLE "${roleName}"`);
+
+        await multitenantTestAssertRowLevelSecurity(
+          newTestEvent(t),
+          sql,
+          tenant,
+        );
+
+        const tenantItems = await multitenantTransaction(sql, tenant, (sql) =>
+          query`SELECT * FROM "rlsTestItem"`.exec(sql),
+        );
+        const systemItems = await multitenantSystemTransaction(sql, (sql) =>
+          query`SELECT * FROM "rlsTestItem"`.exec(sql),
+        );
+        const items = await query`SELECT * FROM "rlsTestItem"`.exec(sql);
+
+        t.equal(tenantItems.length, 1);
+        t.equal(tenantItems[0].tenant, tenant.id);
+        t.equal(systemItems.length, 2);
+        t.equal(items.length, 0);
+
+        throw rollback;
+      });
+    } catch (e) {
+      if (e !== rollback) {
+        throw e;
+      }
+    }
+  });
+});
@@ -1,11 +1,14 @@
-import { newEvent } from "@compas/stdlib";
+import { environment, newEvent } from "@compas/stdlib";
+import { fileCreateOrUpdate } from "@compas/store";
 import {
   authPermissions,
   backendInit,
   backendInitServices,
 } from "@lightbasenl/backend";
 import { buildMandatoryRoles, permissions } from "../constants.js";
+import { queryUserSettings } from "../generated/application/database/userSettings.js";
 import { serviceLogger } from "./logger.js";
+import { bucketName, s3Client } from "./s3.js";
 
 /**
  * @returns {Promise<void>}
@@ -20,9 +23,50 @@ export async function serviceBackendInit() {
   await backendInit(newEvent(serviceLogger), {
     multitenant: {
       syncUsersAcrossAllTenants: true,
+      tenantDataHooks: [
+        {
+          // Removed via a cascading delete of the user
+          name: "userSettings",
+          export: (event, sql, { userIds }) =>
+            queryUserSettings({
+              where: {
+                userIn: userIds,
+              },
+            }).exec(sql),
+        },
+      ],
+      exportTenantData: async (event, sql, tenant, tenantExport) => {
+        await fileCreateOrUpdate(
+          sql,
+          s3Client,
+          { bucketName },
+          {
+            name: `tenant-export-${tenant.name}.json`,
+            contentType: "application/json",
+          },
+          Buffer.from(JSON.stringify(tenantExport)),
+        );
+      },
     },
     management: {},
     featureFlag: {},
+    notification: {
+      webPush: environment.WEB_PUSH_PUBLIC_KEY
+        ? {
+            subject: environment.WEB_PUSH_SUBJECT,
+            publicKey: environment.WEB_PUSH_PUBLIC_KEY,
+            privateKey: environment.WEB_PUSH_PRIVATE_KEY,
+          }
+        : undefined,
+      mobilePush: environment.MOBILE_PUSH_URL
+        ? {
+            url: environment.MOBILE_PUSH_URL,
+            headers: {
+              Authorization: `Bearer ${environment.MOBILE_PUSH_TOKEN}`,
+            },
+          }
+        : undefined,
+    },
     auth: {
       sessionTransportSettings: {
         sessionStoreSettings: {
@@ -36,6 +80,7 @@ export async function serviceBackendInit() {
       ],
       mandatoryRoles: buildMandatoryRoles,
       anonymousBased: {},
+      magicLinkBased: {},
       passwordBased: {},
       totpProvider: {},
       permission: {},